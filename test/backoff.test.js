@@ -0,0 +1,60 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameState } = require('../l.js');
+
+// Newest-first draws for the given digits (also newest-first)
+const draws = (digits) => digits.map((number, i) => ({
+  issueNumber: `2026010110001${String(digits.length - i).padStart(4, '0')}`,
+  number,
+  bigSmall: number >= 5 ? 'BIG' : 'SMALL',
+  binary: number >= 5 ? 1 : 0
+}));
+
+// Sixty draws cycling 1, 2, 3 in time order, newest a 3
+const cycle = draws(Array.from({ length: 60 }, (_, i) => 3 - (i % 3)));
+
+function trained() {
+  const game = createGameState('1m');
+  for (const name of ['pattern', 'markov']) game.models.get(name).train(cycle);
+  return game;
+}
+
+const sumsToOne = (probs) => assert.ok(Math.abs(probs.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+
+test('contexts never seen in training back off to the smoothed digit frequencies', () => {
+  const game = trained();
+  // Digits 1-3 were each seen 20 times; Laplace smoothing adds one pseudo-count per digit
+  const prior = Array.from({ length: 10 }, (_, d) => (d >= 1 && d <= 3 ? 21 / 70 : 1 / 70));
+  const unseen = draws([9, 8, 7, 9, 8, 7, 9, 8]);
+  for (const name of ['pattern', 'markov']) {
+    const output = game.models.get(name).predict(unseen);
+    assert.equal(output.source, `${name}_prior`);
+    assert.deepEqual(output.contexts.map(c => c.length), [0]);
+    output.digitProbs.forEach((p, d) => assert.ok(Math.abs(p - prior[d]) < 1e-12, `${name} digit ${d}`));
+    sumsToOne(output.digitProbs);
+  }
+});
+
+test('a partly seen context uses its longest seen suffix and stays a distribution', () => {
+  const game = trained();
+  // Newest-first 1, 3, 2 was seen (time order 2, 3, 1); nothing longer was
+  const partly = draws([1, 3, 2, 9, 9, 9, 9, 9]);
+  const pattern = game.models.get('pattern').predict(partly);
+  assert.equal(pattern.source, 'pattern_len3');
+  assert.deepEqual(pattern.contexts.map(c => c.length), [0, 3]);
+  sumsToOne(pattern.digitProbs);
+
+  const markov = game.models.get('markov').predict(partly);
+  assert.equal(markov.source, 'markov_order3');
+  assert.deepEqual(markov.contexts.map(c => c.length), [0, 1, 2, 3]);
+  sumsToOne(markov.digitProbs);
+  assert.equal(markov.digitProbs.indexOf(Math.max(...markov.digitProbs)), 2, '2 always followed 1');
+  assert.ok(markov.digitProbs[2] < 1, 'backoff keeps some mass on the other digits');
+
+  const shorter = game.models.get('markov').predict(draws([1, 9, 9, 9]));
+  assert.equal(shorter.source, 'markov_order1');
+  assert.ok(shorter.digitProbs[2] < markov.digitProbs[2], 'longer matched contexts sharpen the estimate');
+  sumsToOne(shorter.digitProbs);
+});
@@ -0,0 +1,46 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, runBacktest } = require('../l.js');
+
+// Newest-first 1m draws of a fixed pseudo-random digit sequence
+function drawHistory(count, seed = 7) {
+  let state = seed;
+  const draws = [];
+  for (let i = 0; i < count; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const number = Math.floor((state / 2147483648) * 10);
+    draws.unshift({
+      issueNumber: `2026010110001${String(i + 1).padStart(4, '0')}`,
+      number,
+      bigSmall: number >= 5 ? 'BIG' : 'SMALL',
+      binary: number >= 5 ? 1 : 0,
+      timestamp: i * 60000
+    });
+  }
+  return draws;
+}
+
+test('a backtest over a fixed history is walk-forward and reproducible', async (t) => {
+  const saved = CONFIG.LSTM_SEED;
+  t.after(() => { CONFIG.LSTM_SEED = saved; });
+  CONFIG.LSTM_SEED = '1';
+  const history = drawHistory(160);
+
+  const report = await runBacktest(history, { game: '1m', warmup: 100, window: 100 });
+  assert.equal(report.periods, 60);
+  assert.equal(report.warmup, 100);
+  assert.equal(report.ensemble.predictions, 60);
+  assert.equal(report.ensemble.wins + report.ensemble.losses, 60);
+  assert.ok(report.ensemble.pValue > 0 && report.ensemble.pValue <= 1);
+  for (const model of Object.values(report.models)) assert.equal(model.predictions, 60);
+
+  const again = await runBacktest(history, { game: '1m', warmup: 100, window: 100 });
+  assert.deepEqual(again.ensemble, report.ensemble);
+  assert.deepEqual(again.models, report.models);
+});
+
+test('a backtest needs more draws than its warmup', async () => {
+  await assert.rejects(runBacktest(drawHistory(50), { game: '1m', warmup: 100 }), /needs more than 100 draws/);
+});
@@ -0,0 +1,52 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, collectCalibrationSamples, fitCalibrator, applyCalibrator } = require('../l.js');
+
+// Resolved entries whose raw scores (0.5-0.9) overstate the win rate: a score s
+// wins with probability 0.5 + (s - 0.5) / 4, so 0.9 really means 0.6.
+function overconfidentHistory(count, seed = 3) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  return Array.from({ length: count }, () => {
+    const rawScore = 0.5 + 0.4 * next();
+    return { rawScore, status: next() < 0.5 + (rawScore - 0.5) / 4 ? 'Win' : 'Loss' };
+  });
+}
+
+const grid = Array.from({ length: 41 }, (_, i) => 0.5 + i * 0.01);
+
+for (const method of ['isotonic', 'platt']) {
+  test(`${method} calibration is monotone and pulls overconfident scores toward observed frequencies`, () => {
+    const history = overconfidentHistory(4000);
+    const calibrator = fitCalibrator(collectCalibrationSamples(history), method);
+    assert.equal(calibrator.fitted, true);
+
+    const mapped = grid.map(score => applyCalibrator(calibrator, score));
+    for (let i = 1; i < mapped.length; i++) assert.ok(mapped[i] >= mapped[i - 1], `not monotone at ${grid[i]}`);
+
+    for (const [from, to] of [[0.5, 0.6], [0.6, 0.7], [0.7, 0.8], [0.8, 0.9]]) {
+      const bin = history.filter(e => e.rawScore >= from && e.rawScore < to);
+      const observed = bin.filter(e => e.status === 'Win').length / bin.length;
+      const stated = bin.reduce((sum, e) => sum + e.rawScore, 0) / bin.length;
+      const calibrated = bin.reduce((sum, e) => sum + applyCalibrator(calibrator, e.rawScore), 0) / bin.length;
+      assert.ok(Math.abs(calibrated - observed) < 0.05, `${from}-${to}: calibrated ${calibrated} vs observed ${observed}`);
+      if (from >= 0.6) assert.ok(Math.abs(calibrated - observed) < Math.abs(stated - observed));
+    }
+  });
+}
+
+test('too few samples leave scores untouched', () => {
+  const samples = collectCalibrationSamples([
+    ...overconfidentHistory(CONFIG.CALIBRATION_MIN_SAMPLES - 1),
+    { rawScore: 0.7, status: 'Pending' }
+  ]);
+  assert.equal(samples.length, CONFIG.CALIBRATION_MIN_SAMPLES - 1);
+  const calibrator = fitCalibrator(samples, 'isotonic');
+  assert.equal(calibrator.fitted, false);
+  assert.equal(applyCalibrator(calibrator, 0.83), 0.83);
+});
@@ -0,0 +1,99 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, createGameState, createCheckpoint, verifyCheckpoint, restoreCheckpoint } = require('../l.js');
+
+// Newest-first 1m draws of a fixed pseudo-random digit sequence
+function drawHistory(count, seed = 7) {
+  let state = seed;
+  const draws = [];
+  for (let i = 0; i < count; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const number = Math.floor((state / 2147483648) * 10);
+    draws.unshift({
+      issueNumber: `2026010110001${String(i + 1).padStart(4, '0')}`,
+      number,
+      bigSmall: number >= 5 ? 'BIG' : 'SMALL',
+      binary: number >= 5 ? 1 : 0,
+      timestamp: i * 60000
+    });
+  }
+  return draws;
+}
+
+const prediction = (index, status) => ({
+  id: `id-${index}`,
+  period: `2026010210001${String(1000 - index).padStart(4, '0')}`,
+  prediction: 'BIG',
+  confidence: 57,
+  tier: 'LOW',
+  marketCondition: 'NEUTRAL',
+  rawScore: 0.57,
+  modelOutputs: { pattern: { prediction: 'BIG', confidence: 0.6, contexts: [{ context: '123', count: 4 }] } },
+  explanation: { combiner: 'weighted', adjustments: [] },
+  status,
+  actual: status === 'Pending' ? null : 'SMALL',
+  actualNumber: status === 'Pending' ? null : 3,
+  timestamp: 1000 - index,
+  ...(status === 'Pending' ? {} : { resolvedAt: 2000 - index })
+});
+
+async function trainedGame() {
+  const game = createGameState('1m');
+  const draws = drawHistory(150);
+  for (const model of game.models.values()) await model.train(draws);
+  game.totalWins = 7;
+  game.totalLosses = 5;
+  game.consecutiveLosses = 2;
+  game.modelWeights.pattern = 0.3;
+  game.predictionHistory = [prediction(0, 'Pending')];
+  for (let i = 1; i <= 60; i++) game.predictionHistory.push(prediction(i, 'Loss'));
+  return { game, draws };
+}
+
+test('a checkpoint restores the learned state into a fresh game', async () => {
+  const { game, draws } = await trainedGame();
+  const checkpoint = createCheckpoint(game);
+  const restored = createGameState('1m');
+  assert.equal(verifyCheckpoint(restored, checkpoint), null);
+  assert.equal(restoreCheckpoint(restored, checkpoint), true);
+
+  assert.equal(restored.totalWins, 7);
+  assert.equal(restored.consecutiveLosses, 2);
+  assert.deepEqual(restored.modelWeights, game.modelWeights);
+  for (const [name, model] of game.models) {
+    assert.deepEqual(restored.models.get(name).predict(draws), model.predict(draws), `${name} predicts as before`);
+  }
+  assert.ok(restored.seenPeriods.has(game.predictionHistory[0].period));
+});
+
+test('a checkpoint keeps only the newest predictions in full', async () => {
+  const { game } = await trainedGame();
+  const restored = createGameState('1m');
+  restoreCheckpoint(restored, createCheckpoint(game));
+
+  const history = restored.predictionHistory;
+  assert.equal(history.length, 61);
+  assert.deepEqual(history[0], game.predictionHistory[0], 'pending predictions are kept in full');
+  assert.deepEqual(history[CONFIG.CHECKPOINT_RECENT_PREDICTIONS - 1], game.predictionHistory[CONFIG.CHECKPOINT_RECENT_PREDICTIONS - 1]);
+  const summarized = history[CONFIG.CHECKPOINT_RECENT_PREDICTIONS];
+  assert.equal(summarized.explanation, undefined);
+  assert.equal(summarized.rawScore, 0.57);
+  assert.equal(summarized.status, 'Loss');
+  assert.deepEqual(summarized.modelOutputs, { pattern: { prediction: 'BIG', confidence: 0.6 } });
+});
+
+test('checkpoints for another game, version or configuration, or with a bad checksum are rejected', async (t) => {
+  const { game } = await trainedGame();
+  const checkpoint = createCheckpoint(game);
+  assert.match(verifyCheckpoint(createGameState('3m'), checkpoint), /belongs to game 1m/);
+  assert.match(verifyCheckpoint(game, { ...checkpoint, version: 1 }), /format version 1/);
+  const tampered = { ...checkpoint, state: checkpoint.state.replace('"totalWins":7', '"totalWins":70') };
+  assert.equal(verifyCheckpoint(game, tampered), 'checksum mismatch');
+
+  const saved = CONFIG.LSTM_HIDDEN_SIZE;
+  t.after(() => { CONFIG.LSTM_HIDDEN_SIZE = saved; });
+  CONFIG.LSTM_HIDDEN_SIZE = saved + 1;
+  assert.match(verifyCheckpoint(createGameState('1m'), checkpoint), /built for/);
+});
@@ -0,0 +1,60 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadConfig } = require('../l.js');
+
+// loadConfig() with only the given config file (and environment), ignoring the process environment
+function loadWithFile(t, contents, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wingo-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'config.json');
+  fs.writeFileSync(filePath, JSON.stringify(contents));
+  return loadConfig({ ...env, CONFIG_FILE: filePath });
+}
+
+test('the config file, its profile and the environment are layered over the defaults', (t) => {
+  const contents = {
+    MIN_DATA_FOR_PREDICTION: 120,
+    DRAW_SOURCE: { seed: 'file' },
+    profiles: { test: { MIN_DATA_FOR_PREDICTION: 130 } }
+  };
+  const fileOnly = loadWithFile(t, contents);
+  assert.equal(fileOnly.MIN_DATA_FOR_PREDICTION, 120);
+  assert.equal(fileOnly.DRAW_SOURCE.seed, 'file');
+  assert.equal(fileOnly.DRAW_SOURCE.type, 'http', 'objects merge key by key');
+  assert.equal(fileOnly.layers.length, 2);
+
+  const layered = loadWithFile(t, contents, { CONFIG_PROFILE: 'test', GAMES: '1m, 3m', WINGO_RETRY_ATTEMPTS: '5' });
+  assert.equal(layered.MIN_DATA_FOR_PREDICTION, 130);
+  assert.deepEqual(layered.GAMES, ['1m', '3m']);
+  assert.equal(layered.RETRY_ATTEMPTS, 5);
+  assert.deepEqual(layered.layers.slice(2), [`${layered.layers[1]}#test`, 'environment']);
+});
+
+test('invalid values and missing profiles are rejected', (t) => {
+  assert.throws(() => loadWithFile(t, { RETRY_ATTEMPTS: -1 }), /Invalid configuration[^]*RETRY_ATTEMPTS/);
+  assert.throws(() => loadWithFile(t, {}, { LOG_LEVEL: 'loud' }), /Invalid configuration[^]*LOG_LEVEL/);
+  assert.throws(() => loadWithFile(t, {}, { CONFIG_PROFILE: 'staging' }), /profile staging not found/);
+});
+
+test('tier cutoffs from the config file are merged tier by tier', (t) => {
+  const config = loadWithFile(t, { TIER_CUTOFFS: { HIGH: { confidence: 0.72 } } });
+  assert.equal(config.TIER_CUTOFFS.HIGH.confidence, 0.72);
+  assert.equal(config.TIER_CUTOFFS.HIGH.agreement, 0.7);
+  assert.equal(config.layers.length, 2);
+});
+
+test('tier cutoffs out of order are rejected', (t) => {
+  assert.throws(() => loadWithFile(t, { TIER_CUTOFFS: { HIGH: { confidence: 0.9 } } }),
+    /tier cutoffs must satisfy ULTRA_HIGH >= HIGH >= MEDIUM >= BASE_CONFIDENCE_THRESHOLD/);
+  assert.throws(() => loadWithFile(t, { TIER_CUTOFFS: { MEDIUM: { confidence: 0.54 } } }), /tier cutoffs/);
+});
+
+test('tier cutoffs outside their ranges are rejected', (t) => {
+  assert.throws(() => loadWithFile(t, { TIER_CUTOFFS: { ULTRA_HIGH: { agreement: 1.5 } } }), /Invalid configuration/);
+  assert.throws(() => loadWithFile(t, { TIER_CUTOFFS: { LOW: { confidence: 0.6 } } }), /Invalid configuration/);
+});
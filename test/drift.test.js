@@ -0,0 +1,57 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameState, observeResolution, observeDraws } = require('../l.js');
+
+// Deterministic uniform numbers in [0, 1)
+function uniform(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+const resolution = (index, lost) => ({
+  period: `2026010110001${String(index).padStart(4, '0')}`,
+  status: lost ? 'Loss' : 'Win',
+  actual: 'BIG',
+  modelOutputs: { pattern: { prediction: lost ? 'SMALL' : 'BIG', confidence: 0.6 } }
+});
+
+test('DDM flags the error streams only after the error rate rises', () => {
+  const game = createGameState('1m');
+  const random = uniform(1);
+  for (let i = 1; i <= 600; i++) observeResolution(game, resolution(i, random() < 0.3));
+  assert.deepEqual(game.drift.events, [], 'a stationary 30% error rate is not drift');
+
+  for (let i = 601; i <= 700; i++) observeResolution(game, resolution(i, random() < 0.8));
+  const streams = new Set(game.drift.events.map(e => e.model || e.stream));
+  assert.deepEqual([...streams].sort(), ['ensemble', 'pattern']);
+  for (const event of game.drift.events) {
+    assert.equal(event.detector, 'ddm');
+    assert.ok(event.period > resolution(600).period, `flagged at ${event.period}, after the shift`);
+  }
+  assert.equal(game.drift.retrainPending, true);
+  assert.equal(game.drift.since, game.drift.events[0].period);
+});
+
+test('Page-Hinkley flags the digit stream only after its mean shifts', () => {
+  const game = createGameState('1m');
+  const random = uniform(23);
+  const draw = (index, number) => ({ issueNumber: `2026010110001${String(index).padStart(4, '0')}`, number });
+  const draws = [];
+  for (let i = 1; i <= 1000; i++) draws.push(draw(i, Math.floor(random() * 10)));
+  observeDraws(game, draws);
+  assert.deepEqual(game.drift.events, [], 'uniform digits are not drift');
+
+  const shifted = [];
+  for (let i = 1001; i <= 1200; i++) shifted.push(draw(i, 7 + Math.floor(random() * 3)));
+  observeDraws(game, shifted);
+  assert.ok(game.drift.events.length > 0);
+  const [event] = game.drift.events.slice(-1);
+  assert.equal(event.stream, 'digits');
+  assert.equal(event.detector, 'page-hinkley');
+  assert.ok(event.period > draw(1000).issueNumber && event.period < draw(1100).issueNumber, `flagged at ${event.period}`);
+});
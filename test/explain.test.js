@@ -0,0 +1,70 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPostgresRepository, explainPrediction } = require('../l.js');
+
+// Just enough of pg.Pool for saving and loading predictions: rows come back the
+// way pg returns them, JSONB parsed and timestamps as Dates.
+function createFakePool() {
+  const rows = [];
+  return {
+    async query(sql, values) {
+      if (sql.includes('INSERT INTO predictions')) {
+        const columns = sql.match(/\(([^)]+)\)\s*VALUES/)[1].split(',').map(c => c.trim());
+        const row = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+        for (const column of ['markets', 'model_outputs', 'explanation']) row[column] = JSON.parse(row[column]);
+        rows.push({ ...row, status: 'Pending', actual: null, actual_number: null, created_at: new Date(5000) });
+        return { rows: [], rowCount: 1 };
+      }
+      if (sql.startsWith('SELECT * FROM predictions WHERE game = $1 AND period = $2')) {
+        return { rows: rows.filter(r => r.game === values[0] && r.period === values[1]) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const entry = {
+  id: 'id-1',
+  period: '20260101100010042',
+  prediction: 'SMALL',
+  confidence: 56,
+  rawScore: 0.5812,
+  calibrated: true,
+  tier: 'LOW',
+  recommendation: '⚠️ LOW CONFIDENCE',
+  agreement: 67,
+  marketCondition: 'NEUTRAL',
+  flags: ['NO_EXPLOITABLE_STRUCTURE'],
+  markets: { bigSmall: { prediction: 'SMALL', probability: 0.55 } },
+  modelOutputs: {
+    pattern: { prediction: 'SMALL', confidence: 0.61, source: 'pattern', contexts: [{ context: '372', count: 3 }] },
+    markov: { prediction: 'BIG', confidence: 0.53, source: 'markov' }
+  },
+  combiners: { weighted: 0.4188, logistic: 0.47, hedge: 0.49 },
+  explanation: {
+    combiner: 'weighted',
+    bigScore: 0.08,
+    smallScore: 0.11,
+    contributions: { pattern: { weight: 0.5, score: -0.11 }, markov: { weight: 0.5, score: 0.08 } },
+    adjustments: [{ name: 'calibration', before: 0.5812, after: 0.56 }],
+    marketState: { recentTrend: 'NEUTRAL', isExploitable: false }
+  },
+  reasoning: 'No exploitable structure found; draws look random.',
+  status: 'Pending',
+  actual: null,
+  actualNumber: null,
+  timestamp: 5000
+};
+
+test('a prediction loaded from Postgres explains itself like the one in memory', async () => {
+  const repository = createPostgresRepository(createFakePool());
+  await repository.savePrediction('1m', entry);
+  const loaded = await repository.loadPrediction('1m', entry.period);
+
+  for (const field of ['rawScore', 'calibrated', 'combiners', 'flags', 'reasoning', 'explanation']) {
+    assert.deepEqual(loaded[field], entry[field], field);
+  }
+  assert.deepEqual(explainPrediction('1m', loaded), explainPrediction('1m', entry));
+});
@@ -0,0 +1,73 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepository, parseExportQuery, exportRecord, csvLine } = require('../l.js');
+
+const HOUR = 3600000;
+
+// Ten predictions an hour apart: even ones HIGH, odd ones LOW; the first six settled
+async function seededRepository() {
+  const repository = createMemoryRepository();
+  for (let i = 0; i < 10; i++) {
+    const entry = {
+      id: `id-${i}`,
+      period: `2026010110001${String(i + 1).padStart(4, '0')}`,
+      prediction: 'BIG',
+      confidence: i % 2 === 0 ? 72 : 56,
+      tier: i % 2 === 0 ? 'HIGH' : 'LOW',
+      marketCondition: 'NEUTRAL',
+      modelOutputs: i < 8 ? { pattern: { prediction: i % 3 === 0 ? 'BIG' : 'SMALL', confidence: 0.6 } } : {},
+      status: 'Pending',
+      actual: null,
+      actualNumber: null,
+      timestamp: i * HOUR
+    };
+    await repository.savePrediction('1m', entry);
+    if (i < 6) {
+      const won = i % 3 !== 2;
+      await repository.recordResult('1m', {
+        ...entry, status: won ? 'Win' : 'Loss', actual: won ? 'BIG' : 'SMALL', actualNumber: won ? 7 : 2, resolvedAt: i * HOUR + 60000
+      });
+    }
+  }
+  return repository;
+}
+
+test('export filters and pages run against the memory repository', async () => {
+  const repository = await seededRepository();
+  const { filters, offset, limit } = parseExportQuery({ tier: 'HIGH', from: String(2 * HOUR), limit: '2' });
+  const first = await repository.queryPredictions('1m', filters, { offset, limit });
+  assert.equal(first.total, 4);
+  assert.deepEqual(first.rows.map(r => r.id), ['id-2', 'id-4']);
+  const second = await repository.queryPredictions('1m', filters, { offset: 2, limit });
+  assert.deepEqual(second.rows.map(r => r.id), ['id-6', 'id-8']);
+
+  const pending = await repository.queryPredictions('1m', { status: 'Pending' }, { offset: 0, limit: 100 });
+  assert.deepEqual(pending.rows.map(r => r.id), ['id-6', 'id-7', 'id-8', 'id-9']);
+
+  const to = new Date(3 * HOUR).toISOString();
+  const resolutions = await repository.queryResolutions('1m', parseExportQuery({ to }).filters, { offset: 0, limit: 100 });
+  assert.deepEqual(resolutions.rows.map(r => r.id), ['id-0', 'id-1', 'id-2'], '`to` is exclusive and applies to resolvedAt');
+
+  const byModel = parseExportQuery({ model: 'pattern', status: 'Loss' }).filters;
+  const losses = await repository.queryResolutions('1m', byModel, { offset: 0, limit: 100 });
+  assert.deepEqual(losses.rows.map(r => r.id), ['id-2', 'id-5']);
+  const record = exportRecord('resolutions', losses.rows[0], byModel);
+  assert.equal(record.modelPrediction, 'SMALL');
+  assert.equal(record.modelWon, true);
+});
+
+test('export queries reject unknown values', () => {
+  assert.throws(() => parseExportQuery({ tier: 'MAXIMUM' }), /tier must be one of/);
+  assert.throws(() => parseExportQuery({ format: 'xml' }), /format must be one of json, csv, ndjson/);
+  assert.throws(() => parseExportQuery({ from: 'yesterday' }), /from must be epoch milliseconds or an ISO date/);
+  assert.throws(() => parseExportQuery({ limit: '0' }), /limit must be an integer >= 1/);
+  assert.equal(parseExportQuery({ format: 'csv' }).limit, null, 'streamed formats are unlimited unless asked');
+});
+
+test('CSV fields with commas, quotes, line breaks or nested values are quoted', () => {
+  assert.equal(csvLine(['plain', 12, null, undefined, true]), 'plain,12,,,true\r\n');
+  assert.equal(csvLine(['a,b', 'say "hi"', 'two\nlines']), '"a,b","say ""hi""","two\nlines"\r\n');
+  assert.equal(csvLine([{ digit: 7 }, [1, 2]]), '"{""digit"":7}","[1,2]"\r\n');
+});
@@ -0,0 +1,64 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, createGameState, trainLSTM, serializeLSTMCell } = require('../l.js');
+
+// Newest-first 1m draws of a fixed pseudo-random digit sequence
+function drawHistory(count, seed = 7) {
+  let state = seed;
+  const draws = [];
+  for (let i = 0; i < count; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const number = Math.floor((state / 2147483648) * 10);
+    draws.unshift({
+      issueNumber: `2026010110001${String(i + 1).padStart(4, '0')}`,
+      number,
+      bigSmall: number >= 5 ? 'BIG' : 'SMALL',
+      binary: number >= 5 ? 1 : 0,
+      timestamp: i * 60000
+    });
+  }
+  return draws;
+}
+
+test('the same LSTM_SEED gives the same LSTM weights before and after training', (t) => {
+  const saved = CONFIG.LSTM_SEED;
+  t.after(() => { CONFIG.LSTM_SEED = saved; });
+  CONFIG.LSTM_SEED = '42';
+  const history = drawHistory(120);
+  const trained = () => {
+    const game = createGameState('1m');
+    trainLSTM(game, history);
+    return serializeLSTMCell(game.lstmCell);
+  };
+  const first = trained();
+  assert.ok(first.trainedSamples > 0);
+  assert.deepEqual(first, trained());
+
+  CONFIG.LSTM_SEED = '43';
+  assert.notDeepEqual(first.Wy, trained().Wy);
+});
+
+test('training resumes after the last trained period instead of starting over', () => {
+  const history = drawHistory(120);
+  const game = createGameState('1m');
+  const samples = trainLSTM(game, history.slice(10));
+  assert.equal(samples, 110 - CONFIG.LSTM_SEQUENCE_LENGTH);
+  assert.equal(trainLSTM(game, history), 10);
+  assert.equal(game.lstmCell.lastTrainedPeriod, history[0].issueNumber);
+});
+
+test('the neural model refuses weights built for another hidden size or sequence length', (t) => {
+  const trained = createGameState('1m');
+  trainLSTM(trained, drawHistory(60));
+  const state = serializeLSTMCell(trained.lstmCell);
+
+  const neural = () => createGameState('1m').models.get('neural');
+  assert.equal(neural().restore(state), true);
+  assert.equal(neural().restore({ ...state, sequenceLength: state.sequenceLength + 1 }), false);
+  const saved = CONFIG.LSTM_HIDDEN_SIZE;
+  t.after(() => { CONFIG.LSTM_HIDDEN_SIZE = saved; });
+  CONFIG.LSTM_HIDDEN_SIZE = saved + 1;
+  assert.equal(neural().restore(state), false);
+});
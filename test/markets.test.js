@@ -0,0 +1,68 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveMarkets, scoreMarkets, createMarketStats, recordMarketResults, summarizeMarketStats } = require('../l.js');
+
+// A digit distribution with the given masses and the rest spread evenly
+function distribution(masses) {
+  const assigned = Object.values(masses).reduce((a, b) => a + b, 0);
+  const free = 10 - Object.keys(masses).length;
+  return Array.from({ length: 10 }, (_, d) => (d in masses ? masses[d] : (1 - assigned) / free));
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+
+test('each market is derived from the digit distribution', () => {
+  const markets = deriveMarkets(distribution({ 7: 0.5 }));
+  assert.equal(markets.digit.prediction, 7);
+  assert.equal(markets.digit.chance, 0.1);
+  assert.equal(markets.bigSmall.prediction, 'BIG');
+  close(markets.bigSmall.probability, 0.5 + 4 / 18);
+  assert.equal(markets.oddEven.prediction, 'ODD');
+  assert.equal(markets.colour.prediction, 'GREEN');
+  assert.equal(markets.colour.chance, 0.5);
+
+  const small = deriveMarkets(distribution({ 2: 0.3, 4: 0.3 }));
+  assert.deepEqual([small.bigSmall.prediction, small.oddEven.prediction, small.colour.prediction], ['SMALL', 'EVEN', 'RED']);
+
+  const violet = deriveMarkets(distribution({ 0: 0.45, 5: 0.45 }));
+  assert.equal(violet.colour.prediction, 'VIOLET');
+  close(violet.colour.probability, 0.9);
+  assert.equal(violet.colour.chance, 0.2);
+});
+
+test('markets are scored with the WinGo colour rules', () => {
+  const markets = (colour) => ({
+    digit: { prediction: 5 },
+    bigSmall: { prediction: 'BIG' },
+    oddEven: { prediction: 'ODD' },
+    colour: { prediction: colour }
+  });
+  assert.deepEqual(scoreMarkets(markets('GREEN'), 5), { digit: true, bigSmall: true, oddEven: true, colour: true });
+  assert.deepEqual(scoreMarkets(markets('RED'), 4), { digit: false, bigSmall: false, oddEven: false, colour: true });
+  assert.equal(scoreMarkets(markets('VIOLET'), 0).colour, true);
+  assert.equal(scoreMarkets(markets('VIOLET'), 5).colour, true);
+  assert.equal(scoreMarkets(markets('VIOLET'), 6).colour, false);
+  assert.equal(scoreMarkets(markets('RED'), 0).colour, true, '0 pays red as well as violet');
+  assert.equal(scoreMarkets(markets('GREEN'), 0).colour, false);
+});
+
+test('colour significance uses each call\'s own chance rate', () => {
+  const stats = createMarketStats();
+  const record = (colour, chance, won) => recordMarketResults(stats,
+    { digit: { chance: 0.1 }, bigSmall: { chance: 0.5 }, oddEven: { chance: 0.5 }, colour: { prediction: colour, chance } },
+    { digit: false, bigSmall: won, oddEven: won, colour: won });
+  record('VIOLET', 0.2, true);
+  record('VIOLET', 0.2, false);
+  record('RED', 0.5, true);
+  record('GREEN', 0.5, true);
+
+  const { colour, bigSmall } = summarizeMarketStats(stats);
+  assert.equal(colour.wins, 3);
+  close(colour.chanceRate, 0.35);
+  // Two violet calls (0.64, 0.32, 0.04) plus two coin flips (0.25, 0.5, 0.25):
+  // P(3 or more hits) = 0.32 * 0.25 + 0.04 * 0.75
+  close(colour.pValue, 0.11);
+  close(bigSmall.pValue, 5 / 16); // one chance rate: the plain binomial tail
+});
@@ -0,0 +1,72 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, CONFIG, MIGRATIONS, createPostgresRepository } = require('../l.js');
+
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// A pg pool stand-in that keeps schema_migrations in memory and logs every
+// other statement; `failOn` makes one migration's SQL throw.
+function fakeDatabase(applied = [], failOn = null) {
+  const versions = [...applied];
+  const log = [];
+  const query = async (sql, params) => {
+    const text = sql.trim();
+    if (text.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) return { rows: [] };
+    if (text.startsWith('SELECT COALESCE(MAX(version), 0)')) return { rows: [{ version: Math.max(0, ...versions) }] };
+    if (text.startsWith('INSERT INTO schema_migrations')) {
+      versions.push(params[0]);
+      log.push(`recorded ${params[0]}`);
+      return { rows: [] };
+    }
+    if (failOn && sql === failOn) throw new Error('relation already exists');
+    log.push(['BEGIN', 'COMMIT', 'ROLLBACK'].includes(text) ? text : sql);
+    return { rows: [] };
+  };
+  return { versions, log, query, connect: async () => ({ query, release() {} }) };
+}
+
+const steps = (migrations) => migrations.flatMap(m => ['BEGIN', m.up, `recorded ${m.version}`, 'COMMIT']);
+
+test('migrations apply in version order, each in a transaction, and are recorded', async () => {
+  assert.deepEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((m, i) => i + 1));
+  const fresh = fakeDatabase();
+  await createPostgresRepository(fresh).connect();
+  assert.deepEqual(fresh.versions, MIGRATIONS.map(m => m.version));
+  assert.deepEqual(fresh.log, steps(MIGRATIONS));
+
+  const partway = fakeDatabase([1, 2, 3]);
+  await createPostgresRepository(partway).connect();
+  assert.deepEqual(partway.log, steps(MIGRATIONS.slice(3)), 'only the missing ones run');
+});
+
+test('a failing migration rolls back and stops the ones after it', async () => {
+  const db = fakeDatabase([1, 2], MIGRATIONS[3].up);
+  await assert.rejects(createPostgresRepository(db).connect(), /Migration 4 \w+ \(up\) failed: relation already exists/);
+  assert.deepEqual(db.versions, [1, 2, 3]);
+  assert.deepEqual(db.log.slice(-2), ['BEGIN', 'ROLLBACK']);
+});
+
+test('with DATABASE_AUTO_MIGRATE off a schema that is behind refuses to serve', async (t) => {
+  const saved = { autoMigrate: CONFIG.DATABASE_AUTO_MIGRATE, authRequired: CONFIG.AUTH.required };
+  t.after(() => {
+    CONFIG.DATABASE_AUTO_MIGRATE = saved.autoMigrate;
+    CONFIG.AUTH.required = saved.authRequired;
+  });
+  CONFIG.DATABASE_AUTO_MIGRATE = false;
+  CONFIG.AUTH.required = false;
+
+  const db = fakeDatabase([1, 2]);
+  await assert.rejects(createPostgresRepository(db).connect(), new RegExp(`schema is at version 2, this build needs ${LATEST}`));
+  assert.deepEqual(db.log, [], 'nothing was migrated');
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const prediction = await fetch(`${base}/kom`);
+  assert.equal(prediction.status, 503);
+  assert.deepEqual(await prediction.json(), { error: 'Database schema is behind', schemaVersion: 2, required: LATEST });
+  const readiness = await (await fetch(`${base}/readyz`)).json();
+  assert.equal(readiness.checks.schema, false);
+});
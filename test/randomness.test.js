@@ -0,0 +1,70 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  chiSquarePValue, performRunsTest, serialTest, spectralTest, cumulativeSumsTest, holmAdjust, assessRandomnessQuality
+} = require('../l.js');
+
+const bits = (text) => [...text].map(Number);
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// Newest-first digits of a fixed pseudo-random sequence
+function digitHistory(count, seed = 7) {
+  let state = seed;
+  const digits = [];
+  for (let i = 0; i < count; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    digits.unshift(Math.floor((state / 2147483648) * 10));
+  }
+  return digits;
+}
+
+test('chi-square p-values match the tabulated 5% critical values', () => {
+  close(chiSquarePValue(3.841459, 1), 0.05);
+  close(chiSquarePValue(16.918978, 9), 0.05);
+});
+
+test('the battery reproduces the NIST SP 800-22 worked examples', () => {
+  const cusum = cumulativeSumsTest(bits('1011010111'));
+  assert.equal(cusum.statistic, 4);
+  close(cusum.pValue, 0.4116588);
+
+  const serial = serialTest(bits('0011011101'), 3, 2, 'binary');
+  close(serial.statistic, 1.6);
+  close(serial.pValue, 0.808792);
+  close(serial.secondDifferencePValue, 0.670320);
+});
+
+test('runs and spectral tests give the hand-computed answers', () => {
+  // 10 alternating bits: 10 runs against 6 expected, variance 20/9
+  const runs = performRunsTest(bits('1010101010'));
+  assert.equal(runs.runs, 10);
+  assert.equal(runs.expected, 6);
+  close(runs.zScore, 4 / Math.sqrt(20 / 9));
+
+  // All five moduli of 1001010011 (0, 2, 4.47, 2, 4.47) sit under T = 5.47
+  const spectral = spectralTest(bits('1001010011'));
+  close(spectral.statistic, (5 - 4.75) / Math.sqrt(10 * 0.95 * 0.05 / 4));
+});
+
+test('Holm-adjusted p-values keep the raw order and never fall below the raw p-values', () => {
+  const raw = [0.01, 0.04, 0.03, 0.005, 0.2];
+  const adjusted = holmAdjust(raw);
+  assert.deepEqual(adjusted.map(p => Math.round(p * 1e6) / 1e6), [0.04, 0.09, 0.09, 0.025, 0.2]);
+  const order = raw.map((p, i) => i).sort((a, b) => raw[a] - raw[b]);
+  for (let k = 1; k < order.length; k++) assert.ok(adjusted[order[k]] >= adjusted[order[k - 1]]);
+  raw.forEach((p, i) => assert.ok(adjusted[i] >= p && adjusted[i] <= 1));
+});
+
+test('a cycling digit stream is exploitable and a pseudo-random one is not', () => {
+  const cycling = Array.from({ length: 300 }, (_, i) => i % 10);
+  const flagged = assessRandomnessQuality(cycling);
+  assert.equal(flagged.isExploitable, true);
+  assert.ok(flagged.tests.some(t => t.name === 'runs' && t.rejected));
+
+  const fair = assessRandomnessQuality(digitHistory(500));
+  assert.equal(fair.isExploitable, false);
+  assert.equal(fair.quality, Math.min(...fair.tests.map(t => t.adjustedPValue)));
+});
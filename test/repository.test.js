@@ -0,0 +1,131 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG, logger, createMemoryRepository, createFailoverRepository } = require('../l.js');
+
+logger.silent = true; // the failover is logged as an error on purpose
+
+// A primary backed by a memory repository that fails every call while `down`
+// and records the calls that got through
+function createFlakyPrimary() {
+  const store = createMemoryRepository();
+  const primary = { name: 'flaky', down: false, store, calls: [] };
+  const guard = (fn, method) => async (...args) => {
+    if (primary.down) throw new Error('connection refused');
+    primary.calls.push({ method, args });
+    return fn(...args);
+  };
+  for (const [method, fn] of Object.entries(store)) {
+    if (typeof fn === 'function') primary[method] = guard(fn, method);
+  }
+  primary.connect = guard(async () => {}, 'connect');
+  return primary;
+}
+
+const prediction = (period) => ({
+  id: `id-${period}`,
+  period,
+  prediction: 'BIG',
+  confidence: 58,
+  tier: 'LOW',
+  marketCondition: 'NEUTRAL',
+  status: 'Pending',
+  actual: null,
+  actualNumber: null,
+  timestamp: 1000
+});
+
+test('memory repository saves, resolves and pages predictions', async () => {
+  const repository = createMemoryRepository({ rowLimit: 3 });
+  for (const period of ['101', '102', '103', '104']) await repository.savePrediction('1m', prediction(period));
+  await repository.recordResult('1m', { ...prediction('104'), status: 'Win', actual: 'BIG', actualNumber: 7, resolvedAt: 2000 });
+
+  const resolved = await repository.loadPrediction('1m', '104');
+  assert.equal(resolved.status, 'Win');
+  assert.equal(resolved.actualNumber, 7);
+  assert.equal(await repository.loadPrediction('1m', '101'), null, 'oldest row beyond rowLimit is dropped');
+
+  const page = await repository.queryPredictions('1m', { status: 'Pending' }, { offset: 0, limit: 10 });
+  assert.deepEqual(page.rows.map(r => r.period), ['102', '103']);
+  const resolutions = await repository.queryResolutions('1m', {}, { offset: 0, limit: 10 });
+  assert.equal(resolutions.total, 1);
+});
+
+const draw = (period, number) => ({ issueNumber: String(period), number });
+
+test('memory repository keeps the newest rowLimit draws and compacts its archive file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repository-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const archiveFile = path.join(dir, 'archive-{game}.ndjson');
+  const repository = createMemoryRepository({ archiveFile, rowLimit: 3 });
+
+  assert.equal(await repository.appendDraws('1m', [draw(101, 1), draw(102, 2)]), 2);
+  assert.equal(await repository.appendDraws('1m', [draw(102, 2), draw(103, 3), draw(104, 4)]), 2, 'known periods are skipped');
+  assert.deepEqual((await repository.loadDraws('1m', 10)).map(d => d.issueNumber), ['104', '103', '102']);
+
+  await repository.appendDraws('1m', [draw(105, 5), draw(106, 6), draw(107, 7)]);
+  const lines = fs.readFileSync(archiveFile.replace('{game}', '1m'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).issueNumber), ['105', '106', '107'], 'file compacted past 2 x rowLimit');
+
+  const reopened = createMemoryRepository({ archiveFile, rowLimit: 3 });
+  assert.deepEqual((await reopened.loadDraws('1m', 10)).map(d => d.issueNumber), ['107', '106', '105']);
+});
+
+test('failover serves from memory while the primary is down and replays on reconnect', async () => {
+  const primary = createFlakyPrimary();
+  const repository = createFailoverRepository(primary, createMemoryRepository());
+  assert.equal(await repository.reconnect(), true);
+
+  await repository.savePrediction('1m', prediction('201'));
+  assert.equal((await primary.store.loadPrediction('1m', '201')).status, 'Pending');
+
+  primary.down = true;
+  await repository.recordResult('1m', { ...prediction('201'), status: 'Loss', actual: 'SMALL', actualNumber: 2, resolvedAt: 3000 });
+  await repository.savePrediction('1m', prediction('202'));
+  assert.equal(repository.health().primary.up, false);
+  assert.equal(repository.health().pendingWrites, 2);
+  assert.equal(repository.name, 'memory');
+  assert.equal((await repository.loadPrediction('1m', '201')).status, 'Loss', 'reads fall back to memory');
+  assert.equal(await repository.reconnect(), false);
+
+  primary.down = false;
+  assert.equal(await repository.reconnect(), true);
+  assert.equal(repository.health().pendingWrites, 0);
+  assert.equal((await primary.store.loadPrediction('1m', '201')).status, 'Loss');
+  assert.ok(await primary.store.loadPrediction('1m', '202'));
+  assert.equal((await primary.store.queryResolutions('1m', {}, { offset: 0, limit: 10 })).total, 1);
+});
+
+test('audit entries buffered during an outage never push out other writes', async (t) => {
+  const saved = { replayLimit: CONFIG.REPOSITORY_REPLAY_LIMIT, auth: CONFIG.AUTH };
+  t.after(() => {
+    CONFIG.REPOSITORY_REPLAY_LIMIT = saved.replayLimit;
+    CONFIG.AUTH = saved.auth;
+  });
+  CONFIG.REPOSITORY_REPLAY_LIMIT = 3;
+  CONFIG.AUTH = { ...saved.auth, auditReplayLimit: 2 };
+  const primary = createFlakyPrimary();
+  const repository = createFailoverRepository(primary, createMemoryRepository());
+  await repository.reconnect();
+
+  primary.down = true;
+  await repository.savePrediction('1m', prediction('301'));
+  for (let i = 0; i < 10; i++) await repository.appendAudit({ method: 'GET', path: '/healthz', status: 200, createdAt: i });
+  await repository.savePrediction('1m', prediction('302'));
+  const health = repository.health();
+  assert.equal(health.pendingWrites, 2);
+  assert.equal(health.droppedWrites, 0);
+  assert.equal(health.pendingAuditEntries, 2);
+  assert.equal(health.droppedAuditEntries, 8);
+
+  primary.down = false;
+  assert.equal(await repository.reconnect(), true);
+  assert.ok(await primary.store.loadPrediction('1m', '301'));
+  assert.ok(await primary.store.loadPrediction('1m', '302'));
+  const audited = primary.calls.filter(call => call.method === 'appendAudit').map(call => call.args[0].createdAt);
+  assert.deepEqual(audited, [8, 9], 'the newest audit entries are replayed');
+});
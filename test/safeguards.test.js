@@ -0,0 +1,86 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CONFIG, createGameState, calculateNextPeriod, noteResolution, noteServed, checkSafeguards, liveAccuracy
+} = require('../l.js');
+
+// Changes some SAFEGUARDS settings for the rest of the test
+function withSafeguards(t, settings) {
+  const saved = CONFIG.SAFEGUARDS;
+  t.after(() => { CONFIG.SAFEGUARDS = saved; });
+  CONFIG.SAFEGUARDS = { ...saved, ...settings };
+}
+
+const periodsAfter = (game, period, count) => {
+  for (let i = 0; i < count; i++) period = calculateNextPeriod(game.spec, period);
+  return period;
+};
+
+test('every lossStreakPause losses in a row pause predictions for cooldownPeriods', (t) => {
+  withSafeguards(t, { lossStreakPause: 3, cooldownPeriods: 10 });
+  const game = createGameState('1m');
+  const period = '20260101100010100';
+  game.consecutiveLosses = 2;
+  noteResolution(game, { status: 'Loss', period });
+  assert.equal(game.cooldownUntil, null, 'two losses do not pause');
+
+  game.consecutiveLosses = 3;
+  noteResolution(game, { status: 'Loss', period });
+  assert.equal(game.cooldownUntil, periodsAfter(game, period, 10));
+  assert.equal(checkSafeguards(game, periodsAfter(game, period, 1), 'a').reason, 'LOSS_STREAK_COOLDOWN');
+  assert.equal(checkSafeguards(game, periodsAfter(game, period, 10), 'b').reason, 'LOSS_STREAK_COOLDOWN');
+  assert.equal(checkSafeguards(game, periodsAfter(game, period, 11), 'a'), null);
+
+  game.consecutiveLosses = 4;
+  noteResolution(game, { status: 'Loss', period: periodsAfter(game, period, 1) });
+  assert.equal(game.cooldownUntil, periodsAfter(game, period, 10), 'only every third loss starts a pause');
+});
+
+test('the session prediction limit counts per client', (t) => {
+  withSafeguards(t, { sessionMaxPredictions: 2, sessionMaxLosses: 0 });
+  const game = createGameState('1m');
+  const [p1, p2, p3] = [1, 2, 3].map(n => periodsAfter(game, '20260101100010100', n));
+  noteServed(game, 'a', p1);
+  noteServed(game, 'a', p2);
+  noteServed(game, 'a', p2);
+
+  const held = checkSafeguards(game, p3, 'a');
+  assert.equal(held.reason, 'SESSION_PREDICTION_LIMIT');
+  assert.match(held.message, /^2 predictions in the last 60 minutes/);
+  assert.equal(checkSafeguards(game, p2, 'a'), null, 'a prediction already served is served again');
+  assert.equal(checkSafeguards(game, p3, 'b'), null, 'other clients are not held back');
+});
+
+test('the session loss limit counts the losses of the predictions a client was served', (t) => {
+  withSafeguards(t, { sessionMaxPredictions: 0, sessionMaxLosses: 2 });
+  const game = createGameState('1m');
+  const [p1, p2, p3] = [1, 2, 3].map(n => periodsAfter(game, '20260101100010100', n));
+  game.predictionHistory = [p2, p1].map(period => ({ period, status: 'Loss', resolvedAt: Date.now() }));
+  noteServed(game, 'a', p1);
+  noteServed(game, 'a', p2);
+  noteServed(game, 'b', p2);
+
+  assert.equal(checkSafeguards(game, p3, 'a').reason, 'SESSION_LOSS_LIMIT');
+  assert.equal(checkSafeguards(game, p3, 'b'), null);
+
+  game.predictionHistory.forEach(p => { p.resolvedAt = Date.now() - CONFIG.SAFEGUARDS.sessionWindow - 1; });
+  assert.equal(checkSafeguards(game, p3, 'a'), null, 'losses older than the window no longer count');
+});
+
+test('live accuracy reports the Wilson score interval', () => {
+  const game = createGameState('1m');
+  assert.deepEqual(liveAccuracy(game), { wins: 0, total: 0, hitRate: null, interval: null, level: 0.95 });
+
+  game.totalWins = 60;
+  game.totalLosses = 40;
+  const { hitRate, interval } = liveAccuracy(game);
+  assert.equal(hitRate, 0.6);
+  assert.ok(Math.abs(interval[0] - 0.5020) < 1e-4, `lower bound ${interval[0]}`);
+  assert.ok(Math.abs(interval[1] - 0.6906) < 1e-4, `upper bound ${interval[1]}`);
+
+  game.totalWins = 10;
+  game.totalLosses = 0;
+  assert.equal(liveAccuracy(game).interval[1], 1, 'the interval stays within [0, 1]');
+});
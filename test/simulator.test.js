@@ -0,0 +1,21 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_REGISTRY, simulateDraws } = require('../l.js');
+
+const spec = GAME_REGISTRY['1m'];
+const digits = (draws) => draws.map(d => d.number);
+
+test('the same seed simulates the same draws', () => {
+  const first = simulateDraws(spec, 200, { seed: 'alpha' });
+  const second = simulateDraws(spec, 200, { seed: 'alpha' });
+  assert.deepEqual(digits(first), digits(second));
+  assert.notDeepEqual(digits(first), digits(simulateDraws(spec, 200, { seed: 'beta' })));
+});
+
+test('biased simulation weights show up in the draws', () => {
+  const simulation = { weights: [0, 0, 0, 0, 0, 1, 1, 1, 1, 1], markov: { order: 0, strength: 0 }, pattern: { digits: [], strength: 0 } };
+  const draws = simulateDraws(spec, 100, { seed: 1, simulation });
+  assert.ok(draws.every(d => d.number >= 5 && d.bigSmall === 'BIG'));
+});
@@ -0,0 +1,55 @@
+'use strict';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, getGame, publishEvent, subscribe, formatServerSentEvent } = require('../l.js');
+
+const game = getGame('1m');
+
+// Subscribes like /stream does and collects what is sent
+function collect(subscription, lastEventId) {
+  const events = [];
+  const unsubscribe = subscribe({ game: null, types: null, ...subscription }, lastEventId, event => events.push(event));
+  return { events, unsubscribe };
+}
+
+test('a Last-Event-ID from an earlier process gets a reset even before any event', () => {
+  const { events, unsubscribe } = collect({}, '1');
+  unsubscribe();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'reset');
+  assert.deepEqual(events[0].data, { lastEventId: 1 });
+});
+
+test('subscribers get live events and resume after their Last-Event-ID', () => {
+  const live = collect({ game: '1m', types: ['prediction', 'resolution'] });
+  publishEvent(game, 'draw', { draws: [] });
+  publishEvent(game, 'prediction', { period: '1' });
+  publishEvent(game, 'resolution', { period: '1' });
+  live.unsubscribe();
+  assert.deepEqual(live.events.map(e => e.type), ['prediction', 'resolution']);
+
+  const [prediction, resolution] = live.events;
+  assert.ok(resolution.id > prediction.id);
+  const resumed = collect({}, String(prediction.id));
+  resumed.unsubscribe();
+  assert.deepEqual(resumed.events, [resolution], 'only what came after the id, without a reset');
+
+  assert.equal(formatServerSentEvent(resolution),
+    `id: ${resolution.id}\nevent: resolution\ndata: {"game":"1m","timestamp":${resolution.timestamp},"period":"1"}\n\n`);
+});
+
+test('a Last-Event-ID that has left the buffer gets a reset before the replay', (t) => {
+  const saved = CONFIG.STREAM_BUFFER_SIZE;
+  t.after(() => { CONFIG.STREAM_BUFFER_SIZE = saved; });
+  CONFIG.STREAM_BUFFER_SIZE = 2;
+  const live = collect({});
+  for (let i = 0; i < 4; i++) publishEvent(game, 'draw', { draws: [i] });
+  live.unsubscribe();
+
+  const resumed = collect({}, String(live.events[0].id));
+  resumed.unsubscribe();
+  assert.deepEqual(resumed.events.map(e => e.type), ['reset', 'draw', 'draw']);
+  assert.deepEqual(resumed.events.slice(1), live.events.slice(2));
+  assert.equal(resumed.events[0].id, live.events[2].id - 1);
+});